@@ -24,13 +24,96 @@ CREATE TABLE IF NOT EXISTS accounts (
   verification_expires TIMESTAMP,
   reset_token_hash VARCHAR(64),
   reset_expires TIMESTAMP,
+  risk_rules JSONB,
+  alert_settings JSONB,
+  last_digest_at TIMESTAMP,
+  rate_limit_per_minute INT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_accounts_email ON accounts(email);
 CREATE INDEX IF NOT EXISTS idx_accounts_api_key ON accounts(api_key);
 
--- 2. PRODUCTS TABLE — scoped to an account. product_id is only unique WITHIN an account,
+-- 2. ACCOUNT USERS — everyone who can log in to an account, owner included, with their
+-- role. Login and password resets read from here.
+CREATE TABLE IF NOT EXISTS account_users (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  name VARCHAR(100),
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'operator', 'viewer')),
+  password_hash VARCHAR(255),
+  invite_token_hash VARCHAR(64),
+  invite_expires TIMESTAMP,
+  invited_by INT REFERENCES account_users(id) ON DELETE SET NULL,
+  accepted_at TIMESTAMP,
+  reset_token_hash VARCHAR(64),
+  reset_expires TIMESTAMP,
+  last_login_at TIMESTAMP,
+  totp_secret VARCHAR(64),
+  totp_enabled BOOLEAN NOT NULL DEFAULT false,
+  totp_last_step BIGINT,
+  recovery_code_hashes TEXT[],
+  mfa_challenge_hash VARCHAR(64),
+  mfa_challenge_expires TIMESTAMP,
+  mfa_challenge_attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_users_account_id ON account_users(account_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_users_one_owner ON account_users(account_id) WHERE role = 'owner';
+CREATE INDEX IF NOT EXISTS idx_account_users_invite_token ON account_users(invite_token_hash);
+CREATE INDEX IF NOT EXISTS idx_account_users_mfa_challenge ON account_users(mfa_challenge_hash);
+
+-- 3. USER SESSIONS — dashboard logins: short-lived access token + rotating refresh token, both hashed
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES account_users(id) ON DELETE CASCADE,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  access_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  access_expires_at TIMESTAMP NOT NULL,
+  refresh_expires_at TIMESTAMP NOT NULL,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+
+-- 4. API KEYS — named keys with their own scopes/expiry, stored hashed. accounts.api_key
+-- remains the all-scopes "primary" key. api_key_usage counts each key's requests per day (UTC).
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  user_id INT REFERENCES account_users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  scopes TEXT[] NOT NULL,
+  expires_at TIMESTAMP,
+  first_used_at TIMESTAMP,
+  first_used_ip VARCHAR(45),
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(45),
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_account_id ON api_keys(account_id);
+
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  api_key_id INT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  requests INT NOT NULL DEFAULT 0,
+  first_ip VARCHAR(45),
+  last_ip VARCHAR(45),
+  PRIMARY KEY (api_key_id, day)
+);
+
+-- 5. PRODUCTS TABLE — scoped to an account. product_id is only unique WITHIN an account,
 -- so two different customers can both have a "SKU-001" without colliding.
 CREATE TABLE IF NOT EXISTS products (
   id SERIAL PRIMARY KEY,
@@ -41,17 +124,41 @@ CREATE TABLE IF NOT EXISTS products (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   is_active BOOLEAN DEFAULT true,
   notes TEXT,
-  qr_data_url TEXT,
+  qr_image_key TEXT,
   signed_token TEXT,
   inscription_id VARCHAR(200),
+  attributes JSONB NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMP,
+  deleted_at TIMESTAMP,
+  gtin VARCHAR(14),
+  next_unit_number INT NOT NULL DEFAULT 1,
   UNIQUE (account_id, product_id)
 );
 
 CREATE INDEX IF NOT EXISTS idx_products_account_id ON products(account_id);
 CREATE INDEX IF NOT EXISTS idx_products_is_active ON products(is_active);
 CREATE INDEX IF NOT EXISTS idx_products_created_at ON products(created_at);
+CREATE INDEX IF NOT EXISTS idx_products_gtin ON products(account_id, gtin);
+
+-- 6. PRODUCT UNITS — serialized units minted under a product (SKU). Each has its own token,
+-- activation state and scan history.
+CREATE TABLE IF NOT EXISTS product_units (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100) NOT NULL,
+  signed_token TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  activated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deactivated_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (account_id, product_id, serial),
+  FOREIGN KEY (account_id, product_id) REFERENCES products(account_id, product_id) ON DELETE CASCADE
+);
 
--- 3. VERIFICATIONS TABLE — every scan/verification attempt, scoped to an account
+CREATE INDEX IF NOT EXISTS idx_product_units_product ON product_units(account_id, product_id);
+
+-- 7. VERIFICATIONS TABLE — every scan/verification attempt, scoped to an account
 CREATE TABLE IF NOT EXISTS verifications (
   id SERIAL PRIMARY KEY,
   account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
@@ -59,29 +166,356 @@ CREATE TABLE IF NOT EXISTS verifications (
   verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   is_valid BOOLEAN NOT NULL,
   risk_level VARCHAR(20),
+  risk_score INT,
+  risk_reasons JSONB,
+  is_diversion BOOLEAN NOT NULL DEFAULT false,
+  diversion_reason TEXT,
+  batch VARCHAR(255),
   ip_address VARCHAR(45),
   user_agent TEXT,
   location_country VARCHAR(100),
+  location_country_code VARCHAR(2),
   location_city VARCHAR(100),
-  error_message TEXT
+  location_lat DOUBLE PRECISION,
+  location_lon DOUBLE PRECISION,
+  error_message TEXT,
+  serial VARCHAR(100),
+  method VARCHAR(10) NOT NULL DEFAULT 'qr'
 );
 
 CREATE INDEX IF NOT EXISTS idx_verifications_account_id ON verifications(account_id);
 CREATE INDEX IF NOT EXISTS idx_verifications_product_id ON verifications(product_id);
 CREATE INDEX IF NOT EXISTS idx_verifications_verified_at ON verifications(verified_at);
 CREATE INDEX IF NOT EXISTS idx_verifications_risk_level ON verifications(risk_level);
+CREATE INDEX IF NOT EXISTS idx_verifications_unit ON verifications(account_id, product_id, serial);
+CREATE INDEX IF NOT EXISTS idx_verifications_ip ON verifications(account_id, ip_address, verified_at);
+CREATE INDEX IF NOT EXISTS idx_verifications_diversion ON verifications(account_id, verified_at) WHERE is_diversion;
 
--- 4. AUDIT LOG — tracks account-level actions
+-- 8. AUDIT LOG — tracks account-level actions, with who did them and from where. Each account's
+-- entries form a hash chain (chain_seq, entry_hash); audit_chain_heads holds the latest position and
+-- hash of each chain ('platform' for entries with no account), so deleted entries can be detected.
 CREATE TABLE IF NOT EXISTS audit_log (
   id SERIAL PRIMARY KEY,
   account_id INT REFERENCES accounts(id) ON DELETE SET NULL,
+  api_key_id INT REFERENCES api_keys(id) ON DELETE SET NULL,
+  user_id INT REFERENCES account_users(id) ON DELETE SET NULL,
+  actor VARCHAR(255),
+  ip_address VARCHAR(45),
   action VARCHAR(100) NOT NULL,
   details TEXT,
+  chain_seq INT,
+  entry_hash VARCHAR(64),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_audit_log_account_id ON audit_log(account_id);
 CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_api_key_id ON audit_log(api_key_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_chain ON audit_log(account_id, chain_seq);
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto; -- hmac() for the chain's hashes
+
+CREATE TABLE IF NOT EXISTS audit_chain_heads (
+  chain VARCHAR(20) PRIMARY KEY,
+  seq INT NOT NULL,
+  last_hash VARCHAR(64) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 9. BULK JOBS — background batch signing (/sign-bulk); the finished print pack ZIP is in file storage under result_key
+CREATE TABLE IF NOT EXISTS bulk_jobs (
+  id UUID PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  api_key_id INT REFERENCES api_keys(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  total_rows INT NOT NULL,
+  processed INT NOT NULL DEFAULT 0,
+  succeeded INT NOT NULL DEFAULT 0,
+  failed INT NOT NULL DEFAULT 0,
+  input JSONB NOT NULL,
+  with_logo BOOLEAN NOT NULL DEFAULT false,
+  logo TEXT,
+  compact BOOLEAN NOT NULL DEFAULT false,
+  output JSONB,
+  errors JSONB,
+  error TEXT,
+  result_key VARCHAR(255),
+  heartbeat_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_account_id ON bulk_jobs(account_id);
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_status ON bulk_jobs(status);
+
+-- 10. SHORT LINKS — compact QR codes (verify.html?c=...), each resolved server-side to the
+-- signed token it was issued with. Codes are global (the URL carries no account).
+CREATE TABLE IF NOT EXISTS short_links (
+  code VARCHAR(16) PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  signed_token TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_short_links_product ON short_links(account_id, product_id);
+
+-- 11. REVOCATIONS — append-only log of deactivations/reactivations, published (signed) at
+-- /.well-known/revocations.jwt for offline verifiers. serial is NULL for a whole product.
+CREATE TABLE IF NOT EXISTS revocations (
+  id BIGSERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  action VARCHAR(20) NOT NULL CHECK (action IN ('revoked', 'reinstated')),
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_revocations_account ON revocations(account_id, id);
+CREATE INDEX IF NOT EXISTS idx_revocations_code ON revocations(account_id, product_id, serial, id);
+
+-- 12. TOKEN REDEMPTIONS — use counts for tokens signed with max_scans (tickets, one-time
+-- warranty cards), keyed by the token's jti. Incremented atomically by /verify-token.
+CREATE TABLE IF NOT EXISTS token_redemptions (
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  jti UUID NOT NULL,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  max_scans INT NOT NULL,
+  redemptions INT NOT NULL DEFAULT 0,
+  first_redeemed_at TIMESTAMP,
+  last_redeemed_at TIMESTAMP,
+  PRIMARY KEY (account_id, jti)
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_redemptions_product ON token_redemptions(account_id, product_id);
+
+-- 13. OUTBOUND WEBHOOKS — customer endpoints, and the delivery queue/log (retried with backoff)
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  description VARCHAR(255),
+  events TEXT[] NOT NULL,
+  secret VARCHAR(80) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_account_id ON webhook_endpoints(account_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  endpoint_id INT NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL,
+  event_type VARCHAR(60) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at TIMESTAMP,
+  last_status_code INT,
+  last_error TEXT,
+  delivered_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at);
+
+-- 14. SCAN ALERTS — risky/deactivated scans waiting to be emailed (held during quiet hours),
+-- then kept as the alert history. Settings live in accounts.alert_settings.
+CREATE TABLE IF NOT EXISTS alert_events (
+  id BIGSERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  kind VARCHAR(30) NOT NULL,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  details JSONB NOT NULL,
+  repeat_count INT NOT NULL DEFAULT 0,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_pending ON alert_events(account_id) WHERE sent_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_alert_events_dedup ON alert_events(account_id, product_id, kind, created_at);
+
+-- 15. OWNERSHIP — end-customer registrations. The open row (ended_at IS NULL) is the current
+-- owner; transfers close it and open the next. Requests are the emailed confirmation links.
+CREATE TABLE IF NOT EXISTS ownership_records (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  owner_email VARCHAR(255) NOT NULL,
+  acquired_via VARCHAR(20) NOT NULL CHECK (acquired_via IN ('claim', 'transfer')),
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ended_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ownership_current ON ownership_records(account_id, product_id, COALESCE(serial, '')) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_ownership_code ON ownership_records(account_id, product_id, serial, started_at);
+
+CREATE TABLE IF NOT EXISTS ownership_requests (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('claim', 'transfer_approve', 'transfer_accept')),
+  email VARCHAR(255) NOT NULL,
+  new_email VARCHAR(255),
+  record_id INT REFERENCES ownership_records(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 16. SUPPLY-CHAIN PARTNERS + CUSTODY — partner checkpoint keys (stored hashed), and the
+-- custody trail they record. Kept apart from verifications so staff scans never affect risk.
+CREATE TABLE IF NOT EXISTS partners (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  type VARCHAR(20) NOT NULL,
+  default_location VARCHAR(200),
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(45),
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_partners_account_id ON partners(account_id);
+
+CREATE TABLE IF NOT EXISTS custody_events (
+  id BIGSERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  partner_id INT REFERENCES partners(id) ON DELETE SET NULL,
+  partner_name VARCHAR(100) NOT NULL,
+  partner_type VARCHAR(20) NOT NULL,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  event_type VARCHAR(20) NOT NULL,
+  location VARCHAR(200),
+  location_country VARCHAR(100),
+  location_city VARCHAR(100),
+  notes TEXT,
+  code_active BOOLEAN NOT NULL DEFAULT true,
+  occurred_at TIMESTAMP NOT NULL,
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_custody_events_code ON custody_events(account_id, product_id, serial, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_custody_events_partner ON custody_events(partner_id);
+
+-- 17. AUTHORIZED MARKETS — where products may be sold: account-wide (product_id NULL), per
+-- product, or per batch. Scans elsewhere are flagged as diversion (verifications.is_diversion).
+CREATE TABLE IF NOT EXISTS authorized_markets (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255),
+  batch VARCHAR(255),
+  markets TEXT[] NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (batch IS NULL OR product_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_authorized_markets_scope ON authorized_markets(account_id, COALESCE(product_id, ''), COALESCE(batch, ''));
+
+-- 18. RECALLS — bulk deactivations with a public notice shown on the verify page. recall_products
+-- fixes which products each recall covers, and whether they were active before (for lifting it).
+CREATE TABLE IF NOT EXISTS recalls (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  filter JSONB NOT NULL,
+  notice_text TEXT NOT NULL,
+  notice_url VARCHAR(500),
+  notice_contact VARCHAR(200),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  lifted_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recalls_account_id ON recalls(account_id, created_at);
+
+CREATE TABLE IF NOT EXISTS recall_products (
+  recall_id INT NOT NULL REFERENCES recalls(id) ON DELETE CASCADE,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  was_active BOOLEAN NOT NULL,
+  PRIMARY KEY (recall_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recall_products_product ON recall_products(account_id, product_id);
+
+-- 19. PRODUCT ATTRIBUTES + HISTORY — per-account custom attribute definitions (values live in
+-- products.attributes), and every change made to a product. History has no FK, so it outlives deletion.
+CREATE TABLE IF NOT EXISTS product_attributes (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  key VARCHAR(40) NOT NULL,
+  label VARCHAR(100) NOT NULL,
+  type VARCHAR(10) NOT NULL CHECK (type IN ('text', 'number', 'date', 'boolean')),
+  visibility VARCHAR(10) NOT NULL CHECK (visibility IN ('token', 'lookup', 'private')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (account_id, key)
+);
+
+CREATE TABLE IF NOT EXISTS product_history (
+  id BIGSERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  changes JSONB NOT NULL DEFAULT '{}',
+  user_id INT REFERENCES account_users(id) ON DELETE SET NULL,
+  api_key_id INT REFERENCES api_keys(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_history_product ON product_history(account_id, product_id, id);
+
+-- 20. NFC TAGS — NTAG 424 DNA tags with their per-tag SUN keys (meta read + file read, AES-128,
+-- stored encrypted under NFC_KEY_SECRET), each linked to a product or a unit. last_read_counter is the
+-- highest counter accepted, for replay checks; last_rejected_at throttles recording refused taps.
+CREATE TABLE IF NOT EXISTS nfc_tags (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  tag_id VARCHAR(32) NOT NULL UNIQUE,
+  uid VARCHAR(14) NOT NULL,
+  meta_key VARCHAR(100) NOT NULL,
+  file_key VARCHAR(100) NOT NULL,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  last_read_counter INT,
+  last_tap_at TIMESTAMP,
+  last_rejected_at TIMESTAMP,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (account_id, uid),
+  FOREIGN KEY (account_id, product_id) REFERENCES products(account_id, product_id) ON DELETE CASCADE,
+  FOREIGN KEY (account_id, product_id, serial) REFERENCES product_units(account_id, product_id, serial) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_nfc_tags_product ON nfc_tags(account_id, product_id);
+
+-- 21. RATE LIMITS — request counts per limiter group and credential (hashed), one row per
+-- fixed window; the limiter weighs the previous window in for a sliding window. Rows expire
+-- after two windows and are cleared periodically. Unused when RATE_LIMIT_STORE is redis or memory.
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+  bucket VARCHAR(100) NOT NULL,
+  window_start BIGINT NOT NULL,
+  hits INT NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (bucket, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_expires ON rate_limit_hits(expires_at);
 
--- 5. VERIFY
+-- 22. VERIFY
 SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' AND table_type = 'BASE TABLE' ORDER BY table_name;
@@ -1,20 +1,104 @@
 import crypto from "crypto";
 import fs from "fs";
 
-console.log("🔐 Generating fresh RSA keypair...");
-
-const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
-  modulusLength: 2048,
-  publicKeyEncoding: { type: "spki", format: "pem" },
-  privateKeyEncoding: { type: "pkcs8", format: "pem" },
-});
-
-fs.writeFileSync("private.pem", privateKey);
-fs.writeFileSync("public.pem", publicKey);
-
-console.log("✅ Generated private.pem and public.pem");
-console.log("");
-console.log("Next steps:");
-console.log("1. Copy the contents of private.pem into Render's PRIVATE_KEY env var");
-console.log("2. Copy the contents of public.pem into Render's PUBLIC_KEY env var");
-console.log("3. Never commit private.pem to git (it's in .gitignore)");
+// Usage:
+//   node generate-keys.mjs                     - fresh keypair as private.pem / public.pem (first install)
+//   node generate-keys.mjs --add [file]        - rotate: add a new active key to the registry
+//                                                (default signing-keys.json), demoting the current
+//                                                active key to verify-only so printed codes keep working
+//   node generate-keys.mjs --retire <kid> [file] - stop a key from verifying at all (only once no
+//                                                  live codes depend on it, or it's compromised)
+const [mode, arg1, arg2] = process.argv.slice(2);
+
+function generateKeyPair() {
+  return crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  });
+}
+
+// Same RFC 7638 thumbprint the backend uses as the kid, so ids always match.
+function kidFor(publicKey) {
+  const jwk = crypto.createPublicKey(publicKey).export({ format: "jwk" });
+  return crypto.createHash("sha256").update(JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n })).digest("base64url");
+}
+
+function readRegistry(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { keys: [] };
+}
+
+function writeRegistry(file, registry) {
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2) + "\n", { mode: 0o600 });
+}
+
+function printRegistryNextSteps(file) {
+  console.log("");
+  console.log("Next steps:");
+  console.log(`1. Copy the full contents of ${file} into Render's SIGNING_KEYS env var (or deploy the file and set SIGNING_KEYS_FILE)`);
+  console.log("2. Redeploy - /.well-known/jwks.json will list every key that still verifies");
+  console.log(`3. Never commit ${file} to git (it's in .gitignore) - it contains private keys`);
+}
+
+if (mode === "--add") {
+  const file = arg1 || "signing-keys.json";
+  const registry = readRegistry(file);
+
+  // First rotation on an install that still uses the PRIVATE_KEY/PUBLIC_KEY env
+  // vars: carry that pair over as verify-only so its codes keep verifying.
+  if (registry.keys.length === 0 && fs.existsSync("public.pem")) {
+    const publicKey = fs.readFileSync("public.pem", "utf8");
+    registry.keys.push({ kid: kidFor(publicKey), status: "verify-only", publicKey, createdAt: null });
+    console.log("ℹ️  Imported existing public.pem as verify-only");
+  }
+
+  for (const key of registry.keys) {
+    if (key.status === "active") {
+      key.status = "verify-only";
+      console.log(`⬇️  ${key.kid} demoted to verify-only`);
+    }
+  }
+
+  console.log("🔐 Generating new RSA signing key...");
+  const { publicKey, privateKey } = generateKeyPair();
+  const kid = kidFor(publicKey);
+  registry.keys.push({ kid, status: "active", privateKey, publicKey, createdAt: new Date().toISOString() });
+  writeRegistry(file, registry);
+
+  console.log(`✅ Added active key ${kid} to ${file}`);
+  printRegistryNextSteps(file);
+} else if (mode === "--retire") {
+  const file = arg2 || "signing-keys.json";
+  const registry = readRegistry(file);
+  const key = registry.keys.find((k) => k.kid === arg1);
+  if (!key) {
+    console.error(`❌ No key with kid ${arg1} in ${file}`);
+    process.exit(1);
+  }
+  if (key.status === "active") {
+    console.error("❌ Refusing to retire the active key - run --add first so something else signs new tokens");
+    process.exit(1);
+  }
+  key.status = "retired";
+  delete key.privateKey;
+  writeRegistry(file, registry);
+
+  console.log(`✅ Retired ${arg1} - tokens it signed will no longer verify`);
+  printRegistryNextSteps(file);
+} else {
+  console.log("🔐 Generating fresh RSA keypair...");
+
+  const { publicKey, privateKey } = generateKeyPair();
+
+  fs.writeFileSync("private.pem", privateKey);
+  fs.writeFileSync("public.pem", publicKey);
+
+  console.log("✅ Generated private.pem and public.pem");
+  console.log("");
+  console.log("Next steps:");
+  console.log("1. Copy the contents of private.pem into Render's PRIVATE_KEY env var");
+  console.log("2. Copy the contents of public.pem into Render's PUBLIC_KEY env var");
+  console.log("3. Never commit private.pem to git (it's in .gitignore)");
+  console.log("");
+  console.log("To rotate later without breaking printed codes: node generate-keys.mjs --add");
+}
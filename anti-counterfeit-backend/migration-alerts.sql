@@ -0,0 +1,35 @@
+-- ===================================
+-- Migration: high-risk scan alerts and digest emails
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+-- Per-account alert settings (recipients, minimum risk, quiet hours, digest
+-- frequency...). NULL means the defaults: high-risk and deactivated-scan
+-- alerts to the account email, weekly digest.
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS alert_settings JSONB;
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMP;
+
+-- Accounts that exist before alerts shipped never asked for them: start them
+-- switched off. They can turn alerts on in the Alerts tab; accounts created
+-- after this get the defaults.
+UPDATE accounts SET alert_settings = '{"enabled": false}'::jsonb WHERE alert_settings IS NULL;
+
+CREATE TABLE IF NOT EXISTS alert_events (
+  id BIGSERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  kind VARCHAR(30) NOT NULL,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  details JSONB NOT NULL,
+  repeat_count INT NOT NULL DEFAULT 0,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_pending ON alert_events(account_id) WHERE sent_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_alert_events_dedup ON alert_events(account_id, product_id, kind, created_at);
+
+-- Verify
+SELECT column_name FROM information_schema.columns
+WHERE table_name = 'accounts' AND column_name IN ('alert_settings', 'last_digest_at');
+SELECT COUNT(*) FROM alert_events;
@@ -0,0 +1,43 @@
+-- ===================================
+-- Migration: multiple named, scoped API keys per account
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+-- The existing accounts.api_key keeps working as the all-scopes "primary" key
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  scopes TEXT[] NOT NULL,
+  expires_at TIMESTAMP,
+  first_used_at TIMESTAMP,
+  first_used_ip VARCHAR(45),
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(45),
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_account_id ON api_keys(account_id);
+
+-- Usage: the first IP a key was used from, and requests per key per day (UTC)
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS first_used_at TIMESTAMP;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS first_used_ip VARCHAR(45);
+CREATE TABLE IF NOT EXISTS api_key_usage (
+  api_key_id INT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  requests INT NOT NULL DEFAULT 0,
+  first_ip VARCHAR(45),
+  last_ip VARCHAR(45),
+  PRIMARY KEY (api_key_id, day)
+);
+
+-- Attribute audit entries and bulk jobs to the key that triggered them
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS api_key_id INT REFERENCES api_keys(id) ON DELETE SET NULL;
+ALTER TABLE bulk_jobs ADD COLUMN IF NOT EXISTS api_key_id INT REFERENCES api_keys(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_audit_log_api_key_id ON audit_log(api_key_id);
+
+-- Verify
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'api_keys' ORDER BY ordinal_position;
@@ -0,0 +1,27 @@
+-- ===================================
+-- Migration: readable, hash-chained audit log
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS actor VARCHAR(255);
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS chain_seq INT;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS entry_hash VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_chain ON audit_log(account_id, chain_seq);
+
+-- The chain's hashes are HMACs computed in the insert statement (hmac())
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS audit_chain_heads (
+  chain VARCHAR(20) PRIMARY KEY,
+  seq INT NOT NULL,
+  last_hash VARCHAR(64) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Entries written before this migration stay as they are, without a chain
+-- position; GET /audit-log/verify counts them as unchainedEntries.
+
+-- Verify
+SELECT column_name FROM information_schema.columns WHERE table_name = 'audit_log' AND column_name IN ('actor', 'ip_address', 'chain_seq', 'entry_hash');
@@ -0,0 +1,27 @@
+-- ===================================
+-- Migration: authorized markets and diversion detection
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+CREATE TABLE IF NOT EXISTS authorized_markets (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255),
+  batch VARCHAR(255),
+  markets TEXT[] NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (batch IS NULL OR product_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_authorized_markets_scope ON authorized_markets(account_id, COALESCE(product_id, ''), COALESCE(batch, ''));
+
+-- Diversion is flagged per scan, separately from risk. batch is what the
+-- scanned token was signed with, for the per-batch report.
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS is_diversion BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS diversion_reason TEXT;
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS batch VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_verifications_diversion ON verifications(account_id, verified_at) WHERE is_diversion;
+
+-- Verify
+SELECT account_id, product_id, batch, markets FROM authorized_markets ORDER BY account_id;
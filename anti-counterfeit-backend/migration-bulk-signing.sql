@@ -0,0 +1,35 @@
+-- ===================================
+-- Migration: bulk product signing jobs
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+CREATE TABLE IF NOT EXISTS bulk_jobs (
+  id UUID PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  total_rows INT NOT NULL,
+  processed INT NOT NULL DEFAULT 0,
+  succeeded INT NOT NULL DEFAULT 0,
+  failed INT NOT NULL DEFAULT 0,
+  input JSONB NOT NULL,
+  with_logo BOOLEAN NOT NULL DEFAULT false,
+  logo TEXT,
+  errors JSONB,
+  error TEXT,
+  result_key VARCHAR(255),
+  heartbeat_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_account_id ON bulk_jobs(account_id);
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_status ON bulk_jobs(status);
+
+-- Tables created by an earlier version of this migration kept the print pack
+-- in result_zip; packs now go to file storage (STORAGE_BACKEND) under result_key,
+-- and heartbeat_at lets another instance take over a job whose worker died
+ALTER TABLE bulk_jobs ADD COLUMN IF NOT EXISTS result_key VARCHAR(255);
+ALTER TABLE bulk_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP;
+
+-- Verify
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'bulk_jobs' ORDER BY ordinal_position;
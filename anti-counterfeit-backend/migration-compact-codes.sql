@@ -0,0 +1,21 @@
+-- ===================================
+-- Migration: compact short-code QR mode
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+-- Short opaque codes (verify.html?c=...) resolved server-side to the signed token they were issued with
+CREATE TABLE IF NOT EXISTS short_links (
+  code VARCHAR(16) PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  signed_token TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_short_links_product ON short_links(account_id, product_id);
+
+ALTER TABLE bulk_jobs ADD COLUMN IF NOT EXISTS compact BOOLEAN NOT NULL DEFAULT false;
+
+-- Verify
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'short_links' ORDER BY ordinal_position;
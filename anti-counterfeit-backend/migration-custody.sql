@@ -0,0 +1,44 @@
+-- ===================================
+-- Migration: supply-chain partners and custody checkpoints
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+CREATE TABLE IF NOT EXISTS partners (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  type VARCHAR(20) NOT NULL,
+  default_location VARCHAR(200),
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  last_used_at TIMESTAMP,
+  last_used_ip VARCHAR(45),
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_partners_account_id ON partners(account_id);
+
+CREATE TABLE IF NOT EXISTS custody_events (
+  id BIGSERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  partner_id INT REFERENCES partners(id) ON DELETE SET NULL,
+  partner_name VARCHAR(100) NOT NULL,
+  partner_type VARCHAR(20) NOT NULL,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  event_type VARCHAR(20) NOT NULL,
+  location VARCHAR(200),
+  location_country VARCHAR(100),
+  location_city VARCHAR(100),
+  notes TEXT,
+  code_active BOOLEAN NOT NULL DEFAULT true,
+  occurred_at TIMESTAMP NOT NULL,
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_custody_events_code ON custody_events(account_id, product_id, serial, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_custody_events_partner ON custody_events(partner_id);
+
+-- Verify
+SELECT table_name FROM information_schema.tables WHERE table_name IN ('partners', 'custody_events');
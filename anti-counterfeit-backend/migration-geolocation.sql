@@ -0,0 +1,15 @@
+-- ===================================
+-- Migration: coordinates and ISO country code on every scan
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+-- Filled by the geolocation layer (local GeoLite2/DB-IP database, or ipwho.is
+-- as a fallback) so risk scoring can use real distances, not just city names.
+-- Older scans keep NULLs here.
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS location_country_code VARCHAR(2);
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS location_lat DOUBLE PRECISION;
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS location_lon DOUBLE PRECISION;
+
+-- Verify
+SELECT column_name, data_type FROM information_schema.columns
+WHERE table_name = 'verifications' AND column_name IN ('location_country_code', 'location_lat', 'location_lon');
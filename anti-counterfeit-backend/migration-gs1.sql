@@ -0,0 +1,11 @@
+-- ===================================
+-- Migration: GS1 Digital Link codes (product GTINs)
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS gtin VARCHAR(14);
+
+CREATE INDEX IF NOT EXISTS idx_products_gtin ON products(account_id, gtin);
+
+-- Verify
+SELECT column_name FROM information_schema.columns WHERE table_name = 'products' AND column_name = 'gtin';
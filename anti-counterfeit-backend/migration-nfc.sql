@@ -0,0 +1,35 @@
+-- ===================================
+-- Migration: NFC tags (NTAG 424 DNA SUN verification)
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS method VARCHAR(10) NOT NULL DEFAULT 'qr';
+
+CREATE TABLE IF NOT EXISTS nfc_tags (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  tag_id VARCHAR(32) NOT NULL UNIQUE,
+  uid VARCHAR(14) NOT NULL,
+  meta_key VARCHAR(100) NOT NULL,
+  file_key VARCHAR(100) NOT NULL,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  last_read_counter INT,
+  last_tap_at TIMESTAMP,
+  last_rejected_at TIMESTAMP,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (account_id, uid),
+  FOREIGN KEY (account_id, product_id) REFERENCES products(account_id, product_id) ON DELETE CASCADE,
+  FOREIGN KEY (account_id, product_id, serial) REFERENCES product_units(account_id, product_id, serial) ON DELETE CASCADE
+);
+
+-- Keys are stored encrypted (NFC_KEY_SECRET), which doesn't fit the original
+-- VARCHAR(32); tags imported before that are encrypted at startup
+ALTER TABLE nfc_tags ALTER COLUMN meta_key TYPE VARCHAR(100), ALTER COLUMN file_key TYPE VARCHAR(100);
+ALTER TABLE nfc_tags ADD COLUMN IF NOT EXISTS last_rejected_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_nfc_tags_product ON nfc_tags(account_id, product_id);
+
+-- Verify
+SELECT column_name FROM information_schema.columns WHERE table_name = 'nfc_tags' ORDER BY ordinal_position;
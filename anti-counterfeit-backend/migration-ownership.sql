@@ -0,0 +1,36 @@
+-- ===================================
+-- Migration: end-customer ownership registration and transfer
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+CREATE TABLE IF NOT EXISTS ownership_records (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  owner_email VARCHAR(255) NOT NULL,
+  acquired_via VARCHAR(20) NOT NULL CHECK (acquired_via IN ('claim', 'transfer')),
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ended_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ownership_current ON ownership_records(account_id, product_id, COALESCE(serial, '')) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_ownership_code ON ownership_records(account_id, product_id, serial, started_at);
+
+CREATE TABLE IF NOT EXISTS ownership_requests (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('claim', 'transfer_approve', 'transfer_accept')),
+  email VARCHAR(255) NOT NULL,
+  new_email VARCHAR(255),
+  record_id INT REFERENCES ownership_records(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Verify
+SELECT table_name FROM information_schema.tables WHERE table_name IN ('ownership_records', 'ownership_requests');
@@ -0,0 +1,35 @@
+-- ===================================
+-- Migration: product editing, custom attributes and edit history
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS attributes JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS product_attributes (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  key VARCHAR(40) NOT NULL,
+  label VARCHAR(100) NOT NULL,
+  type VARCHAR(10) NOT NULL CHECK (type IN ('text', 'number', 'date', 'boolean')),
+  visibility VARCHAR(10) NOT NULL CHECK (visibility IN ('token', 'lookup', 'private')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (account_id, key)
+);
+
+CREATE TABLE IF NOT EXISTS product_history (
+  id BIGSERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  changes JSONB NOT NULL DEFAULT '{}',
+  user_id INT REFERENCES account_users(id) ON DELETE SET NULL,
+  api_key_id INT REFERENCES api_keys(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_history_product ON product_history(account_id, product_id, id);
+
+-- Verify
+SELECT column_name FROM information_schema.columns WHERE table_name = 'products' AND column_name IN ('attributes', 'updated_at', 'deleted_at');
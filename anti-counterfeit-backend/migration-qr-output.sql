@@ -0,0 +1,9 @@
+-- ===================================
+-- Migration: QR output formats (SVG / PDF / EPS, label sheets) for bulk jobs
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+ALTER TABLE bulk_jobs ADD COLUMN IF NOT EXISTS output JSONB;
+
+-- Verify
+SELECT column_name FROM information_schema.columns WHERE table_name = 'bulk_jobs' AND column_name = 'output';
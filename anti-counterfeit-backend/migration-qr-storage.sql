@@ -0,0 +1,16 @@
+-- ===================================
+-- Migration: QR images out of the products table
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS qr_image_key TEXT;
+
+-- Images still in qr_data_url keep being served from it. With
+-- STORAGE_BACKEND=s3 and MOVE_LEGACY_QR_IMAGES=true the server moves them to
+-- S3 in the background at startup. Once its log says
+-- "No QR images left in products.qr_data_url", drop the old column:
+--
+-- ALTER TABLE products DROP COLUMN IF EXISTS qr_data_url;
+
+-- Verify (0 once the move has finished)
+SELECT COUNT(*) AS images_left_to_move FROM products WHERE qr_data_url IS NOT NULL;
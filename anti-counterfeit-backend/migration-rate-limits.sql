@@ -0,0 +1,19 @@
+-- ===================================
+-- Migration: shared rate limits (Postgres store) + per-account limit overrides
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+  bucket VARCHAR(100) NOT NULL,
+  window_start BIGINT NOT NULL,
+  hits INT NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (bucket, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_expires ON rate_limit_hits(expires_at);
+
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS rate_limit_per_minute INT;
+
+-- Verify
+SELECT table_name FROM information_schema.tables WHERE table_name = 'rate_limit_hits';
@@ -0,0 +1,31 @@
+-- ===================================
+-- Migration: batch recalls with a public notice
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+CREATE TABLE IF NOT EXISTS recalls (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  filter JSONB NOT NULL,
+  notice_text TEXT NOT NULL,
+  notice_url VARCHAR(500),
+  notice_contact VARCHAR(200),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  lifted_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recalls_account_id ON recalls(account_id, created_at);
+
+CREATE TABLE IF NOT EXISTS recall_products (
+  recall_id INT NOT NULL REFERENCES recalls(id) ON DELETE CASCADE,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  was_active BOOLEAN NOT NULL,
+  PRIMARY KEY (recall_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recall_products_product ON recall_products(account_id, product_id);
+
+-- Verify
+SELECT table_name FROM information_schema.tables WHERE table_name IN ('recalls', 'recall_products');
@@ -0,0 +1,32 @@
+-- ===================================
+-- Migration: signed revocation feed
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+CREATE TABLE IF NOT EXISTS revocations (
+  id BIGSERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  action VARCHAR(20) NOT NULL CHECK (action IN ('revoked', 'reinstated')),
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_revocations_account ON revocations(account_id, id);
+CREATE INDEX IF NOT EXISTS idx_revocations_code ON revocations(account_id, product_id, serial, id);
+
+-- Seed the log with everything already deactivated, so the first snapshot is
+-- complete. Products don't record when they were deactivated, so they get NOW().
+INSERT INTO revocations (account_id, product_id, serial, action, created_at)
+SELECT account_id, product_id, NULL, 'revoked', NOW() FROM products
+WHERE is_active = false
+  AND NOT EXISTS (SELECT 1 FROM revocations r WHERE r.account_id = products.account_id AND r.product_id = products.product_id AND r.serial IS NULL);
+
+INSERT INTO revocations (account_id, product_id, serial, action, created_at)
+SELECT account_id, product_id, serial, 'revoked', COALESCE(deactivated_at, NOW()) FROM product_units
+WHERE is_active = false
+  AND NOT EXISTS (SELECT 1 FROM revocations r WHERE r.account_id = product_units.account_id AND r.product_id = product_units.product_id AND r.serial = product_units.serial);
+
+-- Verify
+SELECT action, COUNT(*) FROM revocations GROUP BY action;
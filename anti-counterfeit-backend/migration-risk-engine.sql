@@ -0,0 +1,21 @@
+-- ===================================
+-- Migration: configurable, explainable risk engine
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+-- Per-account overrides for the risk rules ({ rules: { <rule>: {...} }, thresholds }).
+-- NULL means every rule runs with its defaults.
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS risk_rules JSONB;
+
+-- What each scan scored and which rules fired, so the dashboard can explain
+-- a flag. Older scans keep NULLs (they only have risk_level).
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS risk_score INT;
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS risk_reasons JSONB;
+
+-- For the "one IP scanning many products" rule
+CREATE INDEX IF NOT EXISTS idx_verifications_ip ON verifications(account_id, ip_address, verified_at);
+
+-- Verify
+SELECT table_name, column_name, data_type FROM information_schema.columns
+WHERE (table_name = 'accounts' AND column_name = 'risk_rules')
+   OR (table_name = 'verifications' AND column_name IN ('risk_score', 'risk_reasons'));
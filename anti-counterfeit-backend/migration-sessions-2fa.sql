@@ -0,0 +1,38 @@
+-- ===================================
+-- Migration: session login (access + refresh tokens) and TOTP two-factor
+-- Run this ONCE in Supabase SQL Editor, after migration-team-members.sql
+-- ===================================
+
+-- Password login now issues these instead of returning an API key
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES account_users(id) ON DELETE CASCADE,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  access_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+  access_expires_at TIMESTAMP NOT NULL,
+  refresh_expires_at TIMESTAMP NOT NULL,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+
+-- Optional TOTP per user, with hashed one-time recovery codes
+ALTER TABLE account_users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE account_users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE account_users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+ALTER TABLE account_users ADD COLUMN IF NOT EXISTS recovery_code_hashes TEXT[];
+ALTER TABLE account_users ADD COLUMN IF NOT EXISTS mfa_challenge_hash VARCHAR(64);
+ALTER TABLE account_users ADD COLUMN IF NOT EXISTS mfa_challenge_expires TIMESTAMP;
+ALTER TABLE account_users ADD COLUMN IF NOT EXISTS mfa_challenge_attempts INTEGER NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS idx_account_users_mfa_challenge ON account_users(mfa_challenge_hash);
+
+-- Dashboard keys minted by the previous team-members login are no longer used
+UPDATE api_keys SET revoked_at = NOW() WHERE name = 'Dashboard login' AND user_id IS NOT NULL AND revoked_at IS NULL;
+
+-- Verify
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'user_sessions' ORDER BY ordinal_position;
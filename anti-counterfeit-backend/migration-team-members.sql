@@ -0,0 +1,45 @@
+-- ===================================
+-- Migration: team members with roles (owner, admin, operator, viewer)
+-- Run this ONCE in Supabase SQL Editor, after migration-api-keys.sql
+-- ===================================
+
+-- Everyone who can log in. Login and password resets now read from here;
+-- accounts.password_hash is only kept in step for the owner.
+CREATE TABLE IF NOT EXISTS account_users (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  name VARCHAR(100),
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'operator', 'viewer')),
+  password_hash VARCHAR(255),
+  invite_token_hash VARCHAR(64),
+  invite_expires TIMESTAMP,
+  invited_by INT REFERENCES account_users(id) ON DELETE SET NULL,
+  accepted_at TIMESTAMP,
+  reset_token_hash VARCHAR(64),
+  reset_expires TIMESTAMP,
+  last_login_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_users_account_id ON account_users(account_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_users_one_owner ON account_users(account_id) WHERE role = 'owner';
+CREATE INDEX IF NOT EXISTS idx_account_users_invite_token ON account_users(invite_token_hash);
+
+-- Every existing account's login becomes its owner (carrying over any reset
+-- link that's still outstanding)
+INSERT INTO account_users (account_id, email, password_hash, role, accepted_at, reset_token_hash, reset_expires, created_at)
+SELECT id, email, password_hash, 'owner', created_at, reset_token_hash, reset_expires, created_at FROM accounts
+ON CONFLICT (email) DO NOTHING;
+
+-- Keys act as the member who created them, and go when that member is removed
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS user_id INT REFERENCES account_users(id) ON DELETE CASCADE;
+
+-- Keys created before team members existed belong to the account's owner,
+-- so existing integrations keep the access they have today
+UPDATE api_keys k SET user_id = u.id FROM account_users u
+WHERE k.user_id IS NULL AND u.account_id = k.account_id AND u.role = 'owner';
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS user_id INT REFERENCES account_users(id) ON DELETE SET NULL;
+
+-- Verify
+SELECT a.email, u.role FROM accounts a LEFT JOIN account_users u ON u.account_id = a.id AND u.role = 'owner' ORDER BY a.id;
@@ -0,0 +1,24 @@
+-- ===================================
+-- Migration: token validity windows and scan-count limits
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+-- not_before / expires_at live in the signed token itself (nbf/exp claims), so
+-- they need no storage. max_scans does: each use of a limited token is counted
+-- here, keyed by the token's jti.
+CREATE TABLE IF NOT EXISTS token_redemptions (
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  jti UUID NOT NULL,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100),
+  max_scans INT NOT NULL,
+  redemptions INT NOT NULL DEFAULT 0,
+  first_redeemed_at TIMESTAMP,
+  last_redeemed_at TIMESTAMP,
+  PRIMARY KEY (account_id, jti)
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_redemptions_product ON token_redemptions(account_id, product_id);
+
+-- Verify
+SELECT COUNT(*) FROM token_redemptions;
@@ -0,0 +1,14 @@
+-- ===================================
+-- Migration: per-product counter for auto-numbered unit serials
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS next_unit_number INT NOT NULL DEFAULT 1;
+
+-- Carry on after the units each product already has, as numbering did before
+UPDATE products p SET next_unit_number = (
+  SELECT COUNT(*) + 1 FROM product_units u WHERE u.account_id = p.account_id AND u.product_id = p.product_id
+);
+
+-- Verify
+SELECT product_id, next_unit_number FROM products ORDER BY next_unit_number DESC LIMIT 10;
@@ -0,0 +1,28 @@
+-- ===================================
+-- Migration: per-unit serialization under a product SKU
+-- Run this ONCE in Supabase SQL Editor
+-- ===================================
+
+CREATE TABLE IF NOT EXISTS product_units (
+  id SERIAL PRIMARY KEY,
+  account_id INT NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  product_id VARCHAR(255) NOT NULL,
+  serial VARCHAR(100) NOT NULL,
+  signed_token TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  activated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deactivated_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (account_id, product_id, serial),
+  FOREIGN KEY (account_id, product_id) REFERENCES products(account_id, product_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_units_product ON product_units(account_id, product_id);
+
+-- Scans of a unit token record its serial; product-level scans leave it NULL
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS serial VARCHAR(100);
+CREATE INDEX IF NOT EXISTS idx_verifications_unit ON verifications(account_id, product_id, serial);
+
+-- Verify
+SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'product_units' ORDER BY ordinal_position;
+SELECT column_name FROM information_schema.columns WHERE table_name = 'verifications' AND column_name = 'serial';
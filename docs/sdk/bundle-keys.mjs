@@ -0,0 +1,25 @@
+import fs from "fs";
+
+// Usage: node bundle-keys.mjs [jwks url]
+// Snapshots the live public key set into jwks.json, next to the SDK. Run it
+// after every key rotation (node generate-keys.mjs --add) and before
+// publishing, so offline verification - and verify.html's fallback when the
+// backend is unreachable - knows every key that still verifies.
+const url = process.argv[2] || "https://anti-counterfeit-backend-new.onrender.com/.well-known/jwks.json";
+const file = new URL("./jwks.json", import.meta.url);
+
+const res = await fetch(url);
+if (!res.ok) {
+  console.error(`❌ ${url} returned ${res.status}`);
+  process.exit(1);
+}
+const { keys } = await res.json();
+if (!Array.isArray(keys) || keys.length === 0) {
+  console.error("❌ Key set is empty - refusing to overwrite the bundled keys");
+  process.exit(1);
+}
+
+// Public members only, in case anything else ever ends up in the response
+const publicKeys = keys.map(({ kty, n, e, kid, use, alg }) => ({ kty, n, e, kid, use, alg }));
+fs.writeFileSync(file, JSON.stringify({ keys: publicKeys }, null, 2) + "\n");
+console.log(`✅ Bundled ${publicKeys.length} key(s): ${publicKeys.map((k) => k.kid).join(", ")}`);
@@ -0,0 +1,285 @@
+// ProductAuth offline verification SDK
+//
+// Checks that a ProductAuth QR code (or the signed token inside it) was really
+// issued by ProductAuth, using only the public key set - no call to our API.
+// Works in browsers and Node 20+ (WebCrypto), no dependencies.
+//
+// What it can and can't tell you: a valid signature proves the code is genuine
+// and unaltered. Whether the brand has since deactivated or recalled it, how
+// many of a limited code's scans are used up, and its scan history/risk all
+// live on the server - so every result says serverStatus: "unknown". The one
+// exception is deactivation: pass a revocation list (fetchRevocations, below)
+// and the result says whether the code was revoked as of that list.
+//
+//   import { verifyQr } from "./productauth-verify.js";
+//   const result = await verifyQr("https://verify.myproductauth.com/verify.html?p=eyJ...");
+//   if (result.authentic) console.log(result.payload.name);
+
+export const DEFAULT_JWKS_URL = "https://anti-counterfeit-backend-new.onrender.com/.well-known/jwks.json";
+export const DEFAULT_REVOCATIONS_URL = "https://anti-counterfeit-backend-new.onrender.com/.well-known/revocations.jwt";
+// Snapshot of the key set published alongside this file (refresh with bundle-keys.mjs)
+export const BUNDLED_JWKS_URL = new URL("./jwks.json", import.meta.url).href;
+
+async function subtle() {
+  if (globalThis.crypto?.subtle) return globalThis.crypto.subtle;
+  return (await import("node:crypto")).webcrypto.subtle;
+}
+
+function base64UrlToBytes(str) {
+  const base64 = str.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((str.length + 3) % 4);
+  const binary = atob(base64);
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+function decodeJson(segment) {
+  return JSON.parse(new TextDecoder().decode(base64UrlToBytes(segment)));
+}
+
+// Accepts a full verify URL (?p=<token> or ?c=<short code>), a GS1 Digital
+// Link (.../01/<GTIN>[/21/<serial>]?sig=<token> or &c=<short code>), or a bare
+// token. Returns { token } or { shortCode } - with digitalLink: { gtin, serial }
+// for a Digital Link - or null if it isn't any of those.
+export function parseQrUrl(input) {
+  const value = String(input || "").trim();
+  if (/^[\w-]+\.[\w-]+\.[\w-]+$/.test(value)) return { token: value };
+  let url;
+  try {
+    url = new URL(value);
+    // verify.html?dl=... is how a Digital Link reaches the verify page on a static host
+    if (url.searchParams.get("dl")) url = new URL(url.searchParams.get("dl"), url.origin);
+  } catch {
+    return null;
+  }
+  const segments = url.pathname.split("/").filter(Boolean);
+  const at = segments.indexOf("01");
+  if (at >= 0 && /^(\d{8}|\d{12,14})$/.test(segments[at + 1] || "")) {
+    let serial = null;
+    for (let i = at + 2; i + 1 < segments.length; i += 2) {
+      if (segments[i] === "21") serial = decodeURIComponent(segments[i + 1]);
+    }
+    const digitalLink = { gtin: segments[at + 1].padStart(14, "0"), serial };
+    if (url.searchParams.get("sig")) return { token: url.searchParams.get("sig"), digitalLink };
+    if (url.searchParams.get("c")) return { shortCode: url.searchParams.get("c"), digitalLink };
+    return null;
+  }
+  const token = url.searchParams.get("p");
+  if (token) return { token };
+  const shortCode = url.searchParams.get("c");
+  if (shortCode) return { shortCode };
+  return null;
+}
+
+// Header and claims without checking anything - for display only
+export function decodeToken(token) {
+  const [header, payload] = String(token).split(".");
+  return { header: decodeJson(header), payload: decodeJson(payload) };
+}
+
+// Keys come from, in order: options.keys (a JWKS object you pass in), the live
+// endpoint, then the bundled snapshot. fetchKeys: false skips the network for
+// the live endpoint; bundled: false skips the snapshot.
+export async function loadKeySet({ keys, jwksUrl = DEFAULT_JWKS_URL, fetchKeys = true, bundled = true, timeoutMs = 4000 } = {}) {
+  if (keys) return { keys: keys.keys || keys, source: "provided" };
+  const sources = [];
+  if (fetchKeys) sources.push([jwksUrl, "fetched"]);
+  if (bundled) sources.push([BUNDLED_JWKS_URL, "bundled"]);
+  for (const [url, source] of sources) {
+    try {
+      const set = await fetchJson(url, timeoutMs);
+      if (Array.isArray(set.keys) && set.keys.length > 0) return { keys: set.keys, source };
+    } catch {
+      // try the next source
+    }
+  }
+  return { keys: [], source: null };
+}
+
+async function fetchJson(url, timeoutMs) {
+  // Node's fetch doesn't do file: URLs - the bundled snapshot is read from disk there
+  if (url.startsWith("file:")) {
+    const { readFile } = await import("node:fs/promises");
+    return JSON.parse(await readFile(new URL(url), "utf8"));
+  }
+  const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!res.ok) throw new Error(`${url} returned ${res.status}`);
+  return res.json();
+}
+
+async function verifySignature(token, jwk) {
+  const [header, payload, signature] = token.split(".");
+  const { kty, n, e } = jwk;
+  const cryptoSubtle = await subtle();
+  const key = await cryptoSubtle.importKey("jwk", { kty, n, e, ext: true }, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["verify"]);
+  return cryptoSubtle.verify("RSASSA-PKCS1-v1_5", key, base64UrlToBytes(signature), new TextEncoder().encode(`${header}.${payload}`));
+}
+
+// Checks a compact JWS against a key set: { valid, kid } - valid is null when
+// no key could be tried at all
+async function verifyJws(token, header, keySet) {
+  // Tokens from before key rotation have no kid - try every published key
+  const candidates = header.kid ? keySet.keys.filter((k) => k.kid === header.kid) : keySet.keys;
+  if (candidates.length === 0) return { valid: null, kid: header.kid || null };
+  for (const jwk of candidates) {
+    try {
+      if (await verifySignature(token, jwk)) return { valid: true, kid: jwk.kid || header.kid || null };
+    } catch {
+      // unusable key - try the next one
+    }
+  }
+  return { valid: false, kid: header.kid || null };
+}
+
+// Validity window from the nbf/exp claims, against this device's clock
+function windowStatus(claims, now) {
+  if (claims.nbf && now < claims.nbf) return "not_yet_valid";
+  if (claims.exp && now >= claims.exp) return "expired";
+  return claims.nbf || claims.exp ? "within" : "none";
+}
+
+function result(fields) {
+  return {
+    authentic: false,
+    signature: "invalid",
+    kid: null,
+    keySource: null,
+    payload: null,
+    serial: null,
+    accountId: null,
+    claims: null,
+    window: null,
+    revocation: null,
+    serverStatus: "unknown",
+    error: null,
+    ...fields,
+  };
+}
+
+// signature is one of:
+//   "valid"       - signed by a published ProductAuth key, unaltered
+//   "invalid"     - a key matched but the signature doesn't (forged or tampered)
+//   "unknown_key" - no published key to check it against (or none could be loaded)
+//   "malformed"   - not an RS256 JWT at all
+//   "short_code"  - a compact code; only the server can resolve those to a token
+//   "link_mismatch" - a GS1 Digital Link whose signature is for a different
+//                   GTIN or serial than the link names (a copied signature)
+// authentic is true only for "valid". window is the nbf/exp check ("within",
+// "not_yet_valid", "expired", or "none" for codes without a window).
+// With options.revocations (a list from fetchRevocations), revocation is
+// { status: "revoked", at, reason } or { status: "clear", asOf }.
+export async function verifyToken(token, options = {}) {
+  let decoded;
+  try {
+    decoded = decodeToken(token);
+  } catch {
+    return result({ signature: "malformed", error: "Not a signed ProductAuth token" });
+  }
+  const { header, payload: claims } = decoded;
+  if (header.alg !== "RS256") return result({ signature: "malformed", error: `Unexpected algorithm ${header.alg}` });
+  // Other things we sign (the revocation feed) use the same keys but aren't codes
+  if (!claims.data || typeof claims.data !== "object") return result({ signature: "malformed", error: "Not a ProductAuth product token" });
+
+  const data = claims.data;
+  const base = {
+    kid: header.kid || null,
+    payload: data,
+    serial: data.serial ? String(data.serial) : null,
+    accountId: data.account_id ?? null,
+    claims: {
+      issuedAt: claims.iat ? new Date(claims.iat * 1000).toISOString() : null,
+      notBefore: claims.nbf ? new Date(claims.nbf * 1000).toISOString() : null,
+      expiresAt: claims.exp ? new Date(claims.exp * 1000).toISOString() : null,
+      maxScans: claims.max_scans || null,
+    },
+    window: windowStatus(claims, (options.now ?? Date.now()) / 1000),
+  };
+
+  const keySet = await loadKeySet(options);
+  const check = await verifyJws(token, header, keySet);
+  if (check.valid === null) {
+    return result({ ...base, signature: "unknown_key", keySource: keySet.source, error: keySet.keys.length ? `No published key with kid ${header.kid}` : "Could not load the public key set" });
+  }
+  if (!check.valid) {
+    return result({ ...base, signature: "invalid", keySource: keySet.source, error: "Signature does not match - this code was not issued by ProductAuth or has been altered" });
+  }
+  const revocation = options.revocations ? checkRevocation(options.revocations, base.accountId, base.payload.id, base.serial) : null;
+  return result({ ...base, authentic: true, signature: "valid", kid: check.kid, keySource: keySet.source, revocation });
+}
+
+// One call from a scanned QR URL (or bare token) to a result
+export async function verifyQr(input, options = {}) {
+  const parsed = parseQrUrl(input);
+  if (!parsed) return result({ signature: "malformed", error: "Not a ProductAuth QR code" });
+  if (parsed.shortCode) {
+    return result({ signature: "short_code", error: "Compact codes can only be checked online - the token behind them is held by the server" });
+  }
+  const verified = await verifyToken(parsed.token, options);
+  const link = parsed.digitalLink;
+  if (link && verified.authentic && (verified.payload.gtin !== link.gtin || verified.serial !== link.serial)) {
+    return result({ ...verified, authentic: false, signature: "link_mismatch", error: "This signature belongs to a different item than the one the link names" });
+  }
+  return verified;
+}
+
+// ---- Revocation feed ----
+// The platform publishes deactivated codes as a signed feed. Keep a list
+// (plain JSON - cache it anywhere) and refresh it incrementally:
+//
+//   let list = await fetchRevocations({ accountId: 42 });          // full snapshot
+//   list = await fetchRevocations({ accountId: 42, list });        // later: only changes
+//   await verifyQr(url, { revocations: list });
+//
+// A list is { accountId, cursor, issuedAt, revoked: { "<account>|<product>|<serial>": { at, reason } } }.
+
+function revocationKey(accountId, productId, serial) {
+  return `${accountId}|${productId}|${serial ?? ""}`;
+}
+
+// Fetches (every page of) the feed, checks each page's signature, and merges
+// it into list (or starts a new list). Throws if a page isn't signed by a
+// published key - a list must never include unverified entries - or is stale:
+// past its exp, or older than the list (a replayed copy that would hide
+// revocations made since).
+export async function fetchRevocations({ accountId = null, list = null, feedUrl = DEFAULT_REVOCATIONS_URL, timeoutMs = 8000, ...keyOptions } = {}) {
+  const keySet = await loadKeySet(keyOptions);
+  let current = list || { accountId, cursor: null, issuedAt: null, revoked: {} };
+  let page = current.cursor !== null ? { since: current.cursor } : {};
+  for (;;) {
+    const url = new URL(feedUrl);
+    if (accountId !== null) url.searchParams.set("account", accountId);
+    for (const [name, value] of Object.entries(page)) url.searchParams.set(name, value);
+    const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error(`Revocation feed returned ${res.status}`);
+    const token = (await res.text()).trim();
+
+    const { header, payload } = decodeToken(token);
+    if (header.alg !== "RS256" || payload.typ !== "productauth-revocations") throw new Error("Not a ProductAuth revocation feed");
+    const check = await verifyJws(token, header, keySet);
+    if (!check.valid) throw new Error("Revocation feed signature could not be verified");
+    if (typeof payload.exp !== "number" || payload.exp * 1000 <= Date.now()) throw new Error("Revocation feed has expired - fetch it again");
+    if (current.cursor !== null && payload.cursor < current.cursor) throw new Error("Revocation feed is older than the list it would update");
+
+    current = mergeRevocations(current, payload);
+    if (!payload.has_more) return current;
+    // A snapshot continues at the same cursor; changes carry on from the new one
+    page = payload.snapshot ? { at: payload.cursor, after: payload.entries[payload.entries.length - 1].seq } : { since: payload.cursor };
+  }
+}
+
+// Applies one verified feed page to a list. A snapshot's first page replaces
+// the list and its later pages add to it; incremental pages apply revocations
+// and reinstatements in order.
+export function mergeRevocations(list, feed) {
+  const revoked = feed.snapshot && !feed.after ? {} : { ...list.revoked };
+  for (const entry of feed.entries) {
+    const key = revocationKey(entry.account_id, entry.product_id, entry.serial);
+    if (entry.status === "revoked") revoked[key] = { at: entry.at, reason: entry.reason };
+    else delete revoked[key];
+  }
+  return { accountId: list.accountId, cursor: feed.cursor, issuedAt: feed.iat ? new Date(feed.iat * 1000).toISOString() : null, revoked };
+}
+
+// A unit is revoked if it, or its whole product, is
+export function checkRevocation(list, accountId, productId, serial = null) {
+  const hit = (serial !== null && list.revoked[revocationKey(accountId, productId, serial)]) || list.revoked[revocationKey(accountId, productId, null)];
+  return hit ? { status: "revoked", at: hit.at, reason: hit.reason } : { status: "clear", asOf: list.issuedAt };
+}